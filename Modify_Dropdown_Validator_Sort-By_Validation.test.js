@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const CompactDropdownTester = require('./Modify_Dropdown_Validator_Sort-By_Validation');
+
+// Unit tests for the tester's pure logic; fixture-driver.test.js drives whole runs
+let tester;
+test.before(() => {
+  process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'dropdown-tester-')));
+  console.log = console.warn = () => {};
+  tester = new CompactDropdownTester({ engine: 'fixture' });
+});
+
+test.after(() => tester.stopMonitoring());
+
+const options = (...texts) => texts.map(text => ({ value: text.toLowerCase(), text: ` ${text} ` }));
+
+test('applyOptionFilters keeps included options and lists excluded combinations', () => {
+  tester.config.optionFilters = { audience: { exclude: ['Advisors'] }, 'Dropdown 2': { include: ['articles', 'Videos'] } };
+  const { kept, summary } = tester.applyOptionFilters(['Audience', 'Type'],
+    [options('All', 'Advisors'), options('Any', 'Articles', 'Videos')]);
+  
+  assert.deepEqual(kept.map(opts => opts.map(o => o.value)), [['all'], ['articles', 'videos']]);
+  assert.deepEqual([summary.totalCombinations, summary.keptCombinations, summary.excludedCombinations], [6, 2, 4]);
+  assert.deepEqual(summary.excludedOptions.map(o => `${o.dropdown}: ${o.text}`), ['Audience: Advisors', 'Type: Any']);
+  assert.deepEqual(summary.excluded.map(e => e.options.map(o => o.value)),
+    [['all', 'any'], ['advisors', 'any'], ['advisors', 'articles'], ['advisors', 'videos']]);
+  assert.deepEqual(summary.excluded[1].reasons, ['"Advisors" excluded for audience', '"Any" not included for Dropdown 2']);
+  assert.equal(summary.excludedTruncated, false);
+});
+
+test('applyOptionFilters caps the excluded list', () => {
+  const many = Array.from({ length: 40 }, (_, i) => `Option ${i}`);
+  tester.config.optionFilters = { 'Dropdown 1': { exclude: ['option 0'] } };
+  const { summary } = tester.applyOptionFilters(['A', 'B', 'C'], [options(...many), options(...many), options(...many)]);
+  assert.equal(summary.excludedCombinations, 1600);
+  assert.equal(summary.excluded.length, 1000);
+  assert.equal(summary.excludedTruncated, true);
+});
+
+test('applyOptionFilters refuses a filter that empties a dropdown', () => {
+  tester.config.optionFilters = { Type: { include: ['Podcasts'] } };
+  assert.throws(() => tester.applyOptionFilters(['Type'], [options('Any', 'Articles')]), /leave no options in "Type"/);
+});
+
+test('the CLI accepts options in kebab-case', () => {
+  const cli = (...args) => spawnSync(process.execPath, [require.resolve('./Modify_Dropdown_Validator_Sort-By_Validation'), ...args], { encoding: 'utf8', timeout: 60000 });
+  assert.equal(cli('--strict-csv', '--max-failed-combos=2', '--help').status, 0);
+  const unknown = cli('--strict-csvs', '--help');
+  assert.equal(unknown.status, 4);
+  assert.match(unknown.stderr, /Unknown option: --strict-csvs/);
+});
+
+const verdict = ({ results = [], summary = {}, gates = {}, criticalError = null }) => {
+  Object.assign(tester, { results, criticalError });
+  tester.config.gates = gates;
+  return tester.evaluateVerdict({ passRate: '100.0%', failed: 0, stuckRecoveries: 0, ...summary });
+};
+
+test('evaluateVerdict maps outcomes to exit codes', () => {
+  const { EXIT_CODES } = CompactDropdownTester;
+  assert.equal(verdict({ results: [{ status: 'PASSED' }] }).exitCode, EXIT_CODES.PASSED);
+  assert.equal(verdict({ results: [{ status: 'FAILED' }], summary: { failed: 2, passRate: '50.0%' } }).exitCode, EXIT_CODES.FAILED);
+  assert.equal(verdict({ results: [{ status: 'PASSED' }, { status: 'ERROR' }] }).exitCode, EXIT_CODES.ERROR);
+  assert.equal(verdict({ criticalError: 'No URLs' }).exitCode, EXIT_CODES.ERROR);
+});
+
+test('evaluateVerdict lets gates replace the zero-tolerance default', () => {
+  const results = [{ status: 'FAILED' }, { status: 'ERROR' }, { status: 'FAILED', failureReason: 'DROPDOWN_COUNT_MISMATCH' }];
+  const summary = { failed: 3, passRate: '85.0%', stuckRecoveries: 1 };
+  
+  const tolerated = verdict({ results, summary, gates: { minPassRate: 80, maxErrorUrls: 1, maxDropdownMismatches: 1 } });
+  assert.equal(tolerated.status, 'PASSED');
+  assert.deepEqual(tolerated.gates.map(g => [g.gate, g.actual, g.passed]),
+    [['minPassRate', 85, true], ['maxErrorUrls', 1, true], ['maxDropdownMismatches', 1, true]]);
+  
+  const breached = verdict({ results, summary, gates: { maxFailedCombos: 2, maxErrorUrls: 1, maxStuckRecoveries: 0 } });
+  assert.equal(breached.exitCode, CompactDropdownTester.EXIT_CODES.GATE_FAILED);
+  assert.deepEqual(breached.violations, ['maxFailedCombos: 3 (threshold 2)', 'maxStuckRecoveries: 1 (threshold 0)']);
+  
+  assert.equal(verdict({ results: results.slice(2), summary: { failed: 0 }, gates: { maxFailedCombos: 5 } }).status, 'FAILED');
+});
+
+test('rewriteUrl moves a URL onto the target origin and path prefix', () => {
+  const url = 'https://www.nationwide.com/financial-professionals/topics/legacy/?audience=fp#tiles';
+  assert.equal(tester.rewriteUrl(url, 'https://qa.nationwide.com'),
+    'https://qa.nationwide.com/financial-professionals/topics/legacy/?audience=fp#tiles');
+  assert.equal(tester.rewriteUrl(url, 'http://localhost:8080/preview/'),
+    'http://localhost:8080/preview/financial-professionals/topics/legacy/?audience=fp#tiles');
+});
+
+test('the target environment is resolved when the tester is created', () => {
+  const environments = { qa: 'https://qa.nationwide.com' };
+  const qa = new CompactDropdownTester({ engine: 'fixture', environment: 'qa', environments });
+  qa.stopMonitoring();
+  assert.deepEqual(qa.targetEnvironment, { name: 'qa', baseUrl: 'https://qa.nationwide.com' });
+  assert.throws(() => new CompactDropdownTester({ engine: 'fixture', environment: 'staging', environments }),
+    /Unknown environment "staging". Configured: qa/);
+  assert.equal(tester.targetEnvironment.name, 'production');
+});
+
+test('validateCsvRow reports each bad value with its line and column', () => {
+  assert.deepEqual(tester.validateCsvRow({ url: ' https://www.nationwide.com/a/ ', browser: 'Chrome', headless: 'TRUE' }, 2), []);
+  const issues = tester.validateCsvRow({ url: 'ftp://example.com/', expectedDropdowns: '2.5', device: 'tablet', headless: 'yes' }, 7);
+  assert.deepEqual(issues.map(i => [i.line, i.column, i.value]),
+    [[7, 'url', 'ftp://example.com/'], [7, 'expectedDropdowns', '2.5'], [7, 'device', 'tablet'], [7, 'headless', 'yes']]);
+  assert.deepEqual(tester.validateCsvRow({ url: 'not a url' }, 3).map(i => i.message), ['Not a valid URL']);
+  assert.deepEqual(tester.validateCsvRow({ url: '' }, 4).map(i => i.message), ['URL is required']);
+});
+
+test('readCSV skips bad URLs, falls back on bad values, and refuses both in strict mode', async () => {
+  fs.writeFileSync('rows.csv', [
+    'url,description,expectedDropdowns,browser,color',
+    'https://www.nationwide.com/a/,A,3,firefox,red',
+    'nope,B,,,',
+    'https://www.nationwide.com/c/,C,many,,'
+  ].join('\n'));
+  
+  const rows = await tester.readCSV('rows.csv');
+  assert.deepEqual(rows.map(r => [r.url, r.csvLine, r.expectedDropdowns, r.browser]),
+    [['https://www.nationwide.com/a/', 2, 3, 'firefox'], ['https://www.nationwide.com/c/', 4, null, tester.config.browser]]);
+  assert.deepEqual(tester.csvValidation.unknownColumns, ['color']);
+  
+  tester.config.strictCsv = true;
+  try {
+    await assert.rejects(tester.readCSV('rows.csv'), /has 2 invalid value\(s\) \(strict mode\):\n {2}line 3, url "nope": Not a valid URL\n {2}line 4/);
+  } finally {
+    tester.config.strictCsv = false;
+  }
+});
+
+test('configForEntry takes only per-entry overrides from a test case', () => {
+  const base = { ...tester.config, tags: ['smoke'] };
+  const config = tester.configForEntry(base, {
+    url: 'https://www.nationwide.com/a/', browser: 'edge', tags: ['regression'], expectedDropdowns: 3, csvLine: 2,
+    selectors: { tiles: '.result-card' }
+  });
+  assert.deepEqual([config.url, config.browser, config.tags], ['https://www.nationwide.com/a/', 'edge', ['smoke']]);
+  assert.deepEqual([config.selectors.tiles, config.selectors.resetButton], ['.result-card', base.selectors.resetButton]);
+  assert.equal(config.expectedDropdowns, undefined);
+  assert.equal(config.csvLine, undefined);
+});
+
+test('readSuite puts inline expectations ahead of golden-file entries for the page', async () => {
+  fs.writeFileSync('inline.yml', [
+    'urls:',
+    '  - url: https://www.nationwide.com/topics/legacy/',
+    '    expectations:',
+    '      - { options: ["", "articles"], tileCount: 5 }'
+  ].join('\n'));
+  const golden = { options: ['', 'videos'], tileCount: 1 };
+  tester.expectations = { 'https://www.nationwide.com/topics/legacy/': [golden] };
+  try {
+    const [testCase] = await tester.readSuite('inline.yml');
+    assert.equal(testCase.expectations, undefined);
+    assert.deepEqual(tester.expectations[testCase.url], [{ options: ['', 'articles'], tileCount: 5 }, golden]);
+  } finally {
+    tester.expectations = null;
+  }
+});
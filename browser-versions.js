@@ -0,0 +1,83 @@
+const os = require('os');
+const path = require('path');
+
+// Browser/driver version checks shared by the page-driver adapters and the reports.
+// Each adapter's versionInfo() resolves to { browserName, browserVersion, driverName, driverVersion, platform };
+// checkDriverCompatibility turns that into human-readable warnings (an empty array means no known problem).
+
+// Oldest Firefox each geckodriver release supports (https://firefox-source-docs.mozilla.org/testing/geckodriver/Support.html)
+const GECKODRIVER_MIN_FIREFOX = { '0.36': 128, '0.35': 115, '0.34': 115, '0.33': 102, '0.32': 102 };
+
+const CHROMIUM_BROWSERS = ['chrome', 'chromium', 'msedge', 'microsoftedge', 'edge', 'chrome-headless-shell'];
+
+function majorVersion(version) {
+  const major = parseInt(String(version || '').split('.')[0], 10);
+  return Number.isNaN(major) ? null : major;
+}
+
+// "133.0.6943.53 (9f2...-refs/branch-heads/6943@{#1570})" → "133.0.6943.53"
+function cleanVersion(version) {
+  return version ? String(version).split(' ')[0] : null;
+}
+
+// Browser builds Playwright was released against, keyed by browser name (chromium, firefox, webkit)
+function playwrightBuilds() {
+  try {
+    const coreDir = path.dirname(require.resolve('playwright-core/package.json'));
+    const { browsers } = require(path.join(coreDir, 'browsers.json'));
+    return Object.fromEntries(browsers.filter(b => b.browserVersion).map(b => [b.name, b.browserVersion]));
+  } catch {
+    return {};
+  }
+}
+
+function checkDriverCompatibility({ browserName, browserVersion, driverName, driverVersion }) {
+  const warnings = [];
+  const name = String(browserName || '').toLowerCase();
+  const browserMajor = majorVersion(browserVersion);
+  if (!browserVersion) warnings.push(`${browserName || 'Browser'} version could not be detected`);
+  if (driverName !== 'playwright' && driverName !== 'fixture' && !driverVersion) {
+    warnings.push(`${driverName || 'Driver'} version could not be detected`);
+  }
+  if (browserMajor === null || !driverVersion) return warnings;
+
+  // chromedriver and msedgedriver only support the browser major they were built for
+  if (CHROMIUM_BROWSERS.includes(name) && driverName !== 'playwright') {
+    const driverMajor = majorVersion(driverVersion);
+    if (driverMajor !== null && driverMajor !== browserMajor) {
+      warnings.push(`${driverName} ${driverVersion} does not match ${browserName} ${browserVersion}; install ${driverName} ${browserMajor}`);
+    }
+  }
+
+  if (name === 'firefox' && driverName === 'geckodriver') {
+    const minFirefox = GECKODRIVER_MIN_FIREFOX[String(driverVersion).split('.').slice(0, 2).join('.')];
+    if (minFirefox && browserMajor < minFirefox) {
+      warnings.push(`geckodriver ${driverVersion} requires Firefox ${minFirefox} or newer, found ${browserVersion}`);
+    }
+  }
+
+  // Branded channels (chrome, msedge) drift from the Chromium build a Playwright release was tested with
+  if (driverName === 'playwright') {
+    const builds = playwrightBuilds();
+    const expected = builds[CHROMIUM_BROWSERS.includes(name) ? 'chromium' : name];
+    const expectedMajor = majorVersion(expected);
+    if (expectedMajor !== null && Math.abs(expectedMajor - browserMajor) > 1) {
+      warnings.push(`Playwright ${driverVersion} targets ${name === 'firefox' ? 'Firefox' : 'Chromium'} ${expected}, found ${browserName} ${browserVersion}`);
+    }
+  }
+  return warnings;
+}
+
+function isSameBuild(a, b) {
+  return ['browserName', 'browserVersion', 'driverName', 'driverVersion'].every(k => a[k] === b[k]);
+}
+
+// Host details embedded in every report next to the browser builds
+function runtimeInfo() {
+  return {
+    node: process.version,
+    platform: `${os.platform()} ${os.release()} (${os.arch()})`
+  };
+}
+
+module.exports = { checkDriverCompatibility, cleanVersion, isSameBuild, majorVersion, runtimeInfo };
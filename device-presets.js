@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const { NETWORK_PROFILE_NAMES } = require('./network-profiles');
+
+// Device preset registry. Built-in presets live in device-presets.json; a project file given as
+// devicePresetsFile adds devices or replaces built-ins with the same name. Entry format:
+//   "Pixel 7": { "width": 412, "height": 915, "userAgent": "...", "pixelRatio": 2.625, "touch": true, "orientation": "portrait" }
+// width/height are measured in the preset's own orientation; the other orientation swaps them.
+// An optional "network" names a profile from network-profiles.js that runs on this device use unless --network is given.
+
+const BUILT_IN_PRESETS = path.join(__dirname, 'device-presets.json');
+const ORIENTATIONS = ['portrait', 'landscape'];
+
+function validatePresets(presets, source) {
+  const errors = [];
+  if (!presets || typeof presets !== 'object' || Array.isArray(presets)) {
+    throw new Error(`${source}: expected an object keyed by device name`);
+  }
+  Object.entries(presets).forEach(([name, p]) => {
+    const isSize = (n) => Number.isInteger(n) && n > 0;
+    if (!p || typeof p !== 'object') return errors.push(`${name}: expected an object`);
+    if (!isSize(p.width) || !isSize(p.height)) errors.push(`${name}: width and height must be positive whole numbers`);
+    if (typeof p.userAgent !== 'string' || !p.userAgent) errors.push(`${name}.userAgent: required`);
+    if (typeof p.pixelRatio !== 'number' || p.pixelRatio <= 0) errors.push(`${name}.pixelRatio: must be a positive number`);
+    if (p.touch !== undefined && typeof p.touch !== 'boolean') errors.push(`${name}.touch: must be true or false`);
+    if (p.orientation !== undefined && !ORIENTATIONS.includes(p.orientation)) {
+      errors.push(`${name}.orientation: must be one of ${ORIENTATIONS.join(', ')}`);
+    }
+    if (p.network !== undefined && !NETWORK_PROFILE_NAMES.includes(p.network)) {
+      errors.push(`${name}.network: must be one of ${NETWORK_PROFILE_NAMES.join(', ')}`);
+    }
+  });
+  if (errors.length) throw new Error(`Invalid device presets in ${source}:\n  ${errors.join('\n  ')}`);
+  return presets;
+}
+
+function readPresetFile(filePath) {
+  if (!fs.existsSync(filePath)) throw new Error(`Device presets file not found: ${filePath}`);
+  try {
+    return validatePresets(JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath);
+  } catch (error) {
+    if (error.message.startsWith('Invalid device presets')) throw error;
+    throw new Error(`Could not read device presets ${filePath}: ${error.message}`);
+  }
+}
+
+function loadDevicePresets(extraFile = null) {
+  const presets = readPresetFile(BUILT_IN_PRESETS);
+  return extraFile ? { ...presets, ...readPresetFile(path.resolve(extraFile)) } : presets;
+}
+
+// Returns the { w, h, ua, pr, touch, orientation } shape the drivers use, rotated when asked for the other orientation
+function resolveDevicePreset(preset, orientation = null) {
+  const natural = preset.orientation || (preset.width > preset.height ? 'landscape' : 'portrait');
+  const target = orientation || natural;
+  const rotate = target !== natural;
+  return {
+    w: rotate ? preset.height : preset.width,
+    h: rotate ? preset.width : preset.height,
+    ua: preset.userAgent,
+    pr: preset.pixelRatio,
+    touch: preset.touch !== false,
+    orientation: target
+  };
+}
+
+module.exports = { ORIENTATIONS, loadDevicePresets, resolveDevicePreset };
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const { pollUntil, ensureDir } = require('./page-driver');
+
+// jsdom adapter for the page-driver interface (see page-driver.js). Serves saved HTML instead of
+// the live site so dropdown, tile and sort logic can be exercised without a browser:
+//   const driver = new FixturePageDriver({ fixtures: { '/financial-professionals/topics/legacy/': 'fixtures/legacy.html' } });
+//   tester.createPageDriver = async () => driver;
+// Fixtures are keyed by full URL or path; values are HTML file paths (relative to baseDir) or inline HTML.
+// jsdom has no layout engine, so elements report a fixed 100×100 box unless hidden with display:none,
+// visibility:hidden or the hidden attribute. Screenshots are written as the serialized DOM (.html).
+
+class FixturePageDriver {
+  // runScripts: 'dangerously' lets a fixture's inline scripts run, e.g. to simulate filtering on change events
+  constructor({ fixtures = {}, baseDir = process.cwd(), runScripts = 'outside-only' } = {}) {
+    this.fixtures = fixtures;
+    this.baseDir = baseDir;
+    this.runScripts = runScripts;
+    this.dom = null;
+    this.url = null;
+    this.viewport = { width: 1920, height: 1080 };
+  }
+
+  resolveFixture(url) {
+    let pathname = url;
+    try { pathname = new URL(url).pathname; } catch {}
+    const source = typeof this.fixtures === 'function' ? this.fixtures(url) : this.fixtures[url] ?? this.fixtures[pathname];
+    if (source === undefined || source === null) throw new Error(`No fixture for ${url}`);
+    if (/^\s*</.test(source)) return source;
+    return fs.readFileSync(path.resolve(this.baseDir, source), 'utf8');
+  }
+
+  get window() {
+    if (!this.dom) throw new Error('No page loaded; call goto first');
+    return this.dom.window;
+  }
+
+  async goto(url) {
+    const { JSDOM } = require('jsdom');
+    if (this.dom) this.dom.window.close();
+    this.url = url;
+    this.dom = new JSDOM(this.resolveFixture(url), { url, runScripts: this.runScripts, pretendToBeVisual: true });
+    this.applyLayoutShim();
+    await pollUntil(() => this.window.document.readyState === 'complete', 5000, `${url} to load`);
+  }
+
+  async reload() { await this.goto(this.url); }
+
+  applyLayoutShim() {
+    const { window } = this;
+    const isHidden = (el) => {
+      for (let node = el; node && node.nodeType === 1; node = node.parentNode || node.host) {
+        const style = window.getComputedStyle(node);
+        if (node.hidden || style.display === 'none' || style.visibility === 'hidden') return true;
+      }
+      return false;
+    };
+    window.Element.prototype.getBoundingClientRect = function () {
+      const size = isHidden(this) ? 0 : 100;
+      return { x: 0, y: 0, top: 0, left: 0, right: size, bottom: size, width: size, height: size };
+    };
+    Object.defineProperty(window.HTMLElement.prototype, 'offsetParent', {
+      get() { return isHidden(this) ? null : this.parentElement; }
+    });
+    // Scrolling has nothing to move without layout
+    window.scrollTo = window.scrollBy = () => {};
+    window.Element.prototype.scrollIntoView = () => {};
+    this.applyViewport();
+  }
+
+  applyViewport() {
+    ['innerWidth', 'outerWidth'].forEach(k => Object.defineProperty(this.window, k, { value: this.viewport.width, configurable: true }));
+    ['innerHeight', 'outerHeight'].forEach(k => Object.defineProperty(this.window, k, { value: this.viewport.height, configurable: true }));
+  }
+
+  async evaluate(script, ...args) {
+    return new this.window.Function(script).apply(null, args);
+  }
+
+  async query(selector) {
+    return Array.from(this.window.document.querySelectorAll(selector));
+  }
+
+  async click(target) {
+    const element = typeof target === 'string' ? this.window.document.querySelector(target) : target;
+    if (!element) throw new Error(`no such element: ${target}`);
+    element.click();
+  }
+
+  async waitFor(condition, timeout) {
+    if (typeof condition === 'string') {
+      return pollUntil(() => this.window.document.querySelector(condition), timeout, condition);
+    }
+    return pollUntil(condition, timeout, 'condition');
+  }
+
+  async screenshot(filePath) {
+    const htmlPath = filePath.replace(/\.\w+$/, '') + '.html';
+    const html = this.window && this.dom.serialize();
+    ensureDir(htmlPath);
+    fs.writeFileSync(htmlPath, html);
+    return htmlPath;
+  }
+
+  async title() { return this.window.document.title; }
+
+  async clearCookies() {
+    if (this.dom) this.dom.cookieJar.removeAllCookiesSync();
+  }
+
+  async setViewport({ width, height }) {
+    this.viewport = { width, height };
+    if (this.dom) this.applyViewport();
+  }
+
+  async maximize() {}
+
+  async setTimeouts() {}
+
+  // Fixtures never touch the network, so there is nothing to throttle or capture
+  async setNetworkConditions() { return false; }
+
+  async startNetworkCapture() { return false; }
+
+  async versionInfo() {
+    return {
+      browserName: 'jsdom',
+      browserVersion: require('jsdom/package.json').version,
+      driverName: 'fixture',
+      driverVersion: null,
+      platform: process.platform
+    };
+  }
+
+  async close() {
+    if (this.dom) this.dom.window.close();
+    this.dom = null;
+  }
+}
+
+module.exports = { FixturePageDriver };
@@ -0,0 +1,194 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const CompactDropdownTester = require('./Modify_Dropdown_Validator_Sort-By_Validation');
+const { FixturePageDriver } = require('./fixture-driver');
+const { writeHar } = require('./har');
+
+// Runs the tester end to end on the fixture engine: 2 × 3 options give 6 combinations per URL, and the
+// page's script hides tiles whose type doesn't match the second dropdown (3 for "Any", 2 articles, 1 video)
+const FIXTURE = `<!DOCTYPE html><html><head><title>Legacy topics</title></head><body>
+<div class="nw-container">
+  <bolt-select label="Audience"><select><option value="">All</option><option value="fp">Financial professionals</option></select></bolt-select>
+  <bolt-select label="Type"><select><option value="">Any</option><option value="articles">Articles</option><option value="videos">Videos</option></select></bolt-select>
+  <button id="tileFilterResetButton">Reset</button>
+  <div class="grid">
+    <bolt-tile data-type="articles"><h3 class="bolt-tile-wc--title">Estate planning basics</h3><a href="/t/1">Read</a></bolt-tile>
+    <bolt-tile data-type="videos"><h3 class="bolt-tile-wc--title">Wealth transfer video</h3><a href="/t/2">Watch</a></bolt-tile>
+    <bolt-tile data-type="articles"><h3 class="bolt-tile-wc--title">Trusts explained</h3><a href="/t/3">Read</a></bolt-tile>
+  </div>
+</div>
+<script>
+  document.querySelectorAll('select').forEach(s => s.addEventListener('change', () => {
+    const type = document.querySelectorAll('select')[1].value;
+    document.querySelectorAll('bolt-tile').forEach(t => { t.hidden = !!type && t.dataset.type !== type; });
+  }));
+  document.getElementById('tileFilterResetButton').addEventListener('click', () => {
+    document.querySelectorAll('select').forEach(s => { s.value = ''; s.dispatchEvent(new Event('change')); });
+  });
+</script>
+</body></html>`;
+
+const pageUrl = (n) => `https://www.nationwide.com/topics/legacy/?page=${n}`;
+
+// Fails every selection of "Articles" in the main tester's session; pool workers and shards are left alone
+class FailingSelectionDriver extends FixturePageDriver {
+  constructor(options, testerName) {
+    super(options);
+    this.testerName = testerName;
+  }
+
+  async evaluate(script, ...args) {
+    if (this.testerName === null && args[1] === 'articles') throw new Error('Element is not interactable');
+    return super.evaluate(script, ...args);
+  }
+}
+
+// Records one fake request per dropdown change, standing in for a browser's network capture
+class RecordingPageDriver extends FixturePageDriver {
+  async startNetworkCapture() {
+    this.requests = [];
+    this.window.document.querySelectorAll('select').forEach(select => {
+      select.onchange = () => this.requests.push({
+        startedDateTime: new Date().toISOString(), method: 'GET', url: `https://api.example.com/tiles?type=${select.value}`
+      });
+    });
+    return true;
+  }
+
+  async saveNetworkCapture(filePath, meta) { return writeHar(filePath, this.requests, meta); }
+}
+
+function createTester(config = {}, { Driver = FixturePageDriver, launches = [] } = {}) {
+  const tester = new CompactDropdownTester({ engine: 'fixture', outDir: 'reports', fixtures: { '/topics/legacy/': FIXTURE }, ...config });
+  tester.createPageDriver = async function () {
+    launches.push(this.name);
+    return new Driver({ fixtures: this.config.fixtures, runScripts: 'dangerously' }, this.name);
+  };
+  tester.delay = async () => {};
+  return tester;
+}
+
+let csvCount = 0;
+async function runFixture(config = {}, { urls = [pageUrl(1)], ...options } = {}) {
+  const csv = `urls-${++csvCount}.csv`;
+  fs.writeFileSync(csv, ['url,description', ...urls.map((url, i) => `${url},Page ${i + 1}`)].join('\n'));
+  const tester = createTester(config, options);
+  try {
+    return await tester.runTests(csv);
+  } finally {
+    tester.stopMonitoring();
+  }
+}
+
+const summarize = (combos) => combos.map(c => ({
+  number: c.number, options: c.options.map(o => o.value), status: c.status, visible: c.tileCount.visible
+}));
+
+test.before(() => {
+  // Logs and reports go to a scratch directory; the tester's console chatter is dropped
+  process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'dropdown-tester-')));
+  console.log = console.warn = () => {};
+});
+
+test('FixturePageDriver serves fixtures by path and shims layout', async () => {
+  const driver = new FixturePageDriver({ fixtures: { '/topics/legacy/': FIXTURE } });
+  await driver.goto(pageUrl(1));
+  assert.equal(await driver.title(), 'Legacy topics');
+  assert.equal((await driver.query('bolt-tile')).length, 3);
+  assert.equal(await driver.evaluate('return arguments[0] + document.querySelectorAll("select").length;', 1), 3);
+
+  const [tile] = await driver.query('bolt-tile');
+  tile.hidden = true;
+  assert.equal(tile.getBoundingClientRect().width, 0);
+  assert.equal((await driver.query('bolt-tile'))[1].getBoundingClientRect().width, 100);
+
+  await assert.rejects(driver.goto('https://www.nationwide.com/other/'), /No fixture/);
+  await driver.close();
+});
+
+test('tests every combination of a fixture page', async () => {
+  const report = await runFixture();
+  const [result] = report.results;
+  assert.equal(result.status, 'PASSED');
+  assert.deepEqual(summarize(result.combinations), [
+    { number: 1, options: ['', ''], status: 'PASSED', visible: 3 },
+    { number: 2, options: ['', 'articles'], status: 'PASSED', visible: 2 },
+    { number: 3, options: ['', 'videos'], status: 'PASSED', visible: 1 },
+    { number: 4, options: ['fp', ''], status: 'PASSED', visible: 3 },
+    { number: 5, options: ['fp', 'articles'], status: 'PASSED', visible: 2 },
+    { number: 6, options: ['fp', 'videos'], status: 'PASSED', visible: 1 }
+  ]);
+  assert.equal(report.verdict.status, 'PASSED');
+});
+
+test('a script that awaits runTests exits once the run is done', () => {
+  fs.writeFileSync('exit.csv', `url,description\n${pageUrl(1)},Page 1`);
+  const config = { engine: 'fixture', fixtures: { '/topics/legacy/': FIXTURE }, delays: { popupWait: 1, popupSettle: 1, selectionSettle: 1, resetSettle: 1, tileSettle: 1, scrollSettle: 1, sortSettle: 1 } };
+  const script = `const CompactDropdownTester = require(${JSON.stringify(require.resolve('./Modify_Dropdown_Validator_Sort-By_Validation'))});
+    new CompactDropdownTester(${JSON.stringify(config)}).runTests('exit.csv').then(report => console.error('verdict', report.verdict.status));`;
+  const child = spawnSync(process.execPath, ['-e', script], { encoding: 'utf8', timeout: 60000 });
+  assert.equal(child.signal, null);
+  assert.match(child.stderr, /verdict PASSED/);
+});
+
+test('shards number combinations exactly like an unsharded run', async () => {
+  const [unsharded] = (await runFixture()).results;
+  const [sharded] = (await runFixture({ shards: 4 })).results;
+  assert.deepEqual(summarize(sharded.combinations), summarize(unsharded.combinations));
+  assert.deepEqual(sharded.shards.map(s => s.combinations), ['1-1', '2-3', '4-4', '5-6']);
+  assert.deepEqual(sharded.combinations.map(c => c.shard), [1, 2, 2, 3, 4, 4]);
+});
+
+test('a failing first shard reports its range once and is not retried', async () => {
+  const launches = [];
+  const report = await runFixture({ shards: 3 }, { Driver: FailingSelectionDriver, launches });
+  const [result] = report.results;
+  assert.deepEqual(launches, [null, 'shard-2', 'shard-3']);
+  assert.deepEqual(result.combinations.map(c => [c.number, c.status]), [
+    [1, 'PASSED'], [2, 'FAILED'], [3, 'PASSED'], [4, 'PASSED'], [5, 'PASSED'], [6, 'PASSED']
+  ]);
+  assert.match(result.combinations[1].error, /^Shard 1 failed before combos 2-2/);
+  assert.match(result.shards[0].error, /^selection failed after \d+ attempts/);
+  assert.deepEqual([report.summary.totalTests, report.summary.passed, report.summary.failed], [6, 5, 1]);
+});
+
+test('discovery writes every dropdown on the page as expectedDropdowns', async () => {
+  fs.writeFileSync('sitemap.xml', `<urlset><url><loc>${pageUrl(1)}</loc></url></urlset>`);
+  const tester = createTester({ selectors: { maxDropdowns: 1 }, discovery: { pathPattern: '/topics/', out: 'discovered.json' } });
+  try {
+    await tester.discoverPages('sitemap.xml');
+  } finally {
+    tester.stopMonitoring();
+  }
+  assert.deepEqual(JSON.parse(fs.readFileSync('discovered.json', 'utf8')).urls.map(u => u.expectedDropdowns), [2]);
+});
+
+test('worker pool keeps results in CSV order', async () => {
+  const urls = [1, 2, 3].map(pageUrl);
+  const report = await runFixture({ workers: 2 }, { urls });
+  assert.deepEqual(report.results.map(r => r.url), urls);
+  assert.deepEqual(report.results.map(r => r.status), ['PASSED', 'PASSED', 'PASSED']);
+  assert.deepEqual(new Set(report.results.map(r => r.worker)), new Set([1, 2]));
+});
+
+test("each HAR file holds only its combination's selections", async () => {
+  const [result] = (await runFixture({ har: true }, { Driver: RecordingPageDriver })).results;
+  const requested = result.combinations.map(c => JSON.parse(fs.readFileSync(c.har, 'utf8')).log.entries
+    .map(e => new URL(e.request.url).searchParams.get('type')));
+  // Combination 4 changes both dropdowns; the reset of "Type" after combination 3 is not in anyone's window
+  assert.deepEqual(requested, [['', ''], ['articles'], ['videos'], ['fp', ''], ['articles'], ['videos']]);
+});
+
+test('a reused session is recycled once it reaches maxCombinations', async () => {
+  const launches = [];
+  const session = { reuse: true, maxCombinations: 12, maxHeapMB: null, maxMemoryMB: null };
+  const report = await runFixture({ session }, { urls: [1, 2, 3].map(pageUrl), launches });
+  assert.equal(launches.length, 2);
+  assert.deepEqual(report.results.map(r => [r.session.id, r.session.reused]), [[1, false], [1, true], [2, false]]);
+  assert.equal(report.results[1].session.recycled, '12 combinations (limit 12)');
+  assert.equal(report.results[2].session.recycled, undefined);
+});
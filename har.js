@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const pkg = require('./package.json');
+
+// Minimal HAR 1.2 writer for the per-combination network captures (config.har). Adapters collect
+// normalized records and writeHar turns them into a file DevTools, Charles or Fiddler can open:
+//   { startedDateTime, time, method, url, requestHeaders, postData, resourceType,
+//     status, statusText, responseHeaders, mimeType, bodyText, bodySize, error }
+// Header values are plain objects ({ name: value }). Response bodies are only kept for documents,
+// XHR and fetch requests (the filter API responses), truncated at MAX_BODY_CHARS.
+
+const MAX_BODY_CHARS = 200000;
+const BODY_RESOURCE_TYPES = ['document', 'xhr', 'fetch'];
+
+function headerList(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function queryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+function keepsBody(resourceType) {
+  return BODY_RESOURCE_TYPES.includes(String(resourceType || '').toLowerCase());
+}
+
+function toHarEntry(record) {
+  const text = typeof record.bodyText === 'string' ? record.bodyText.slice(0, MAX_BODY_CHARS) : undefined;
+  return {
+    startedDateTime: record.startedDateTime,
+    time: Math.max(Math.round(record.time || 0), 0),
+    request: {
+      method: record.method,
+      url: record.url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: headerList(record.requestHeaders),
+      queryString: queryString(record.url),
+      ...(record.postData ? { postData: { mimeType: record.requestHeaders?.['content-type'] || '', text: record.postData } } : {}),
+      headersSize: -1,
+      bodySize: record.postData ? record.postData.length : 0
+    },
+    response: {
+      status: record.status || 0,
+      statusText: record.statusText || record.error || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: headerList(record.responseHeaders),
+      content: {
+        size: record.bodySize ?? (text ? text.length : 0),
+        mimeType: record.mimeType || '',
+        ...(text !== undefined ? { text } : {}),
+        ...(text !== undefined && record.bodyText.length > MAX_BODY_CHARS ? { comment: 'truncated' } : {})
+      },
+      redirectURL: record.responseHeaders?.location || '',
+      headersSize: -1,
+      bodySize: record.bodySize ?? -1,
+      ...(record.error ? { _error: record.error } : {})
+    },
+    cache: {},
+    timings: { send: 0, wait: Math.max(Math.round(record.time || 0), 0), receive: 0 },
+    ...(record.resourceType ? { _resourceType: String(record.resourceType).toLowerCase() } : {})
+  };
+}
+
+function writeHar(filePath, records, { pageUrl = null, comment = '' } = {}) {
+  const entries = records
+    .map(toHarEntry)
+    .sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+  const har = {
+    log: {
+      version: '1.2',
+      creator: { name: pkg.name, version: pkg.version },
+      pages: pageUrl ? [{
+        startedDateTime: entries[0]?.startedDateTime || new Date().toISOString(),
+        id: 'page_1',
+        title: pageUrl,
+        pageTimings: {}
+      }] : [],
+      entries: pageUrl ? entries.map(e => ({ pageref: 'page_1', ...e })) : entries,
+      comment
+    }
+  };
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(har, null, 2));
+  return filePath;
+}
+
+module.exports = { keepsBody, writeHar };
@@ -0,0 +1,23 @@
+// Network condition profiles, chosen with --network or a device preset's "network" field.
+// latency is added round-trip time in ms; download/upload are bytes per second, -1 leaving them unthrottled.
+// The 3G figures are the Chrome DevTools presets. offlineAfterLoad keeps the connection normal until the page
+// has loaded and then cuts it, which shows whether filtering runs client-side or needs the server.
+// settleFactor stretches delays.tileSettle, since filter requests take longer to land on slow links.
+
+const NETWORK_PROFILES = {
+  'fast-3g': { label: 'Fast 3G', latency: 563, download: 180000, upload: 84375, settleFactor: 2 },
+  'slow-3g': { label: 'Slow 3G', latency: 2000, download: 50000, upload: 50000, settleFactor: 4 },
+  'high-latency': { label: 'High latency', latency: 1000, download: -1, upload: -1, settleFactor: 2 },
+  'offline-after-load': { label: 'Offline after load', latency: 0, download: -1, upload: -1, settleFactor: 1, offlineAfterLoad: true }
+};
+
+// 'none' switches off a profile a device preset would otherwise bring
+const NETWORK_PROFILE_NAMES = ['none', ...Object.keys(NETWORK_PROFILES)];
+
+function resolveNetworkProfile(name) {
+  if (!name || name === 'none') return null;
+  if (!NETWORK_PROFILES[name]) throw new Error(`Unknown network profile "${name}" (use ${NETWORK_PROFILE_NAMES.join(', ')})`);
+  return { name, ...NETWORK_PROFILES[name] };
+}
+
+module.exports = { NETWORK_PROFILES, NETWORK_PROFILE_NAMES, resolveNetworkProfile };
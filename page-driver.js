@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const { By, until, logging } = require('selenium-webdriver');
+const { cleanVersion } = require('./browser-versions');
+const { keepsBody, writeHar } = require('./har');
+
+/**
+ * Page-driver interface the tester is written against. Adapters:
+ *   SeleniumPageDriver  (this file)           wraps a selenium-webdriver WebDriver
+ *   PlaywrightPageDriver (playwright-driver.js) wraps a Playwright browser/context/page
+ *   FixturePageDriver   (fixture-driver.js)   renders HTML fixtures in jsdom, for unit tests without a browser
+ *
+ * Scripts passed to evaluate are function bodies that read their parameters from arguments[n]
+ * and may return plain data. Element handles come from query and are only meaningful to the
+ * adapter that returned them; they can be passed back to evaluate and click.
+ *
+ * @typedef {Object} PageDriver
+ * @property {function(string): Promise<void>} goto                 navigate and wait for the load event
+ * @property {function(): Promise<void>} reload
+ * @property {function(string, ...*): Promise<*>} evaluate          run a script body in the page
+ * @property {function(string): Promise<Object[]>} query            element handles matching a CSS selector
+ * @property {function(string|Object): Promise<void>} click         click a selector's first match or a handle
+ * @property {function((string|function(): Promise<*>), number): Promise<*>} waitFor
+ *           resolves once the selector matches or the predicate is truthy; throws after timeout ms
+ * @property {function(string): Promise<string>} screenshot         save a capture, resolving to the file written
+ * @property {function(): Promise<string>} title
+ * @property {function(): Promise<void>} clearCookies
+ * @property {function({width: number, height: number}): Promise<void>} setViewport
+ * @property {function(): Promise<void>} maximize
+ * @property {function({implicit: number, pageLoad: number, script: number}): Promise<void>} setTimeouts
+ * @property {function(): Promise<void>} close
+ * @property {function(DeviceMetrics): Promise<boolean>} [emulateDevice]
+ *           optional true device emulation; resolves false when the browser can't do it
+ * @property {function(): Promise<VersionInfo>} versionInfo
+ * @property {function(NetworkConditions): Promise<boolean>} [setNetworkConditions]
+ *           optional throttling/offline switch; resolves false when the browser can't apply it
+ * @property {function(): Promise<boolean>} [startNetworkCapture]
+ *           optional; starts (or restarts) recording requests, resolving false when the browser can't
+ * @property {function(string, {pageUrl: string, comment: string}): Promise<string|null>} [saveNetworkCapture]
+ *           writes what was recorded since startNetworkCapture as a HAR file (see har.js) and stops recording
+ * @property {function(string): Promise<boolean>} [nextTraceChunk]
+ *           optional; saves the trace so far to the current tracePath and continues into the given file
+ *
+ * @typedef {Object} VersionInfo
+ * @property {string} browserName
+ * @property {string|null} browserVersion
+ * @property {string} driverName      chromedriver, msedgedriver, geckodriver, playwright or fixture
+ * @property {string|null} driverVersion
+ * @property {string} platform        platform the browser reports, which may differ from the host running Node
+ *
+ * @typedef {Object} DeviceMetrics
+ * @property {number} width
+ * @property {number} height
+ * @property {number} deviceScaleFactor
+ * @property {string} userAgent
+ * @property {boolean} mobile     honour <meta name="viewport"> and mobile scrollbars
+ * @property {boolean} touch
+ *
+ * @typedef {Object} NetworkConditions
+ * @property {boolean} offline
+ * @property {number} latency     added round-trip ms
+ * @property {number} download    bytes per second, -1 for unthrottled
+ * @property {number} upload      bytes per second, -1 for unthrottled
+ */
+
+// Polls a predicate until it returns something truthy; shared by adapters without native waiting
+async function pollUntil(predicate, timeout, description) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await predicate();
+    if (value) return value;
+    if (Date.now() >= deadline) throw new Error(`Timed out after ${timeout}ms waiting for ${description}`);
+    await new Promise(r => setTimeout(r, 100));
+  }
+}
+
+function ensureDir(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+}
+
+class SeleniumPageDriver {
+  constructor(webDriver) {
+    this.webDriver = webDriver;
+  }
+
+  async goto(url) { await this.webDriver.get(url); }
+
+  async reload() { await this.webDriver.navigate().refresh(); }
+
+  async evaluate(script, ...args) { return this.webDriver.executeScript(script, ...args); }
+
+  async query(selector) { return this.webDriver.findElements(By.css(selector)); }
+
+  async click(target) {
+    const element = typeof target === 'string' ? await this.webDriver.findElement(By.css(target)) : target;
+    await element.click();
+  }
+
+  async waitFor(condition, timeout) {
+    if (typeof condition === 'string') return this.webDriver.wait(until.elementLocated(By.css(condition)), timeout);
+    return this.webDriver.wait(condition, timeout);
+  }
+
+  async screenshot(filePath) {
+    ensureDir(filePath);
+    fs.writeFileSync(filePath, await this.webDriver.takeScreenshot(), 'base64');
+    return filePath;
+  }
+
+  async title() { return this.webDriver.getTitle(); }
+
+  async clearCookies() { await this.webDriver.manage().deleteAllCookies(); }
+
+  async setViewport({ width, height }) { await this.webDriver.manage().window().setRect({ width, height, x: 0, y: 0 }); }
+
+  async maximize() { await this.webDriver.manage().window().maximize(); }
+
+  async setTimeouts(timeouts) { await this.webDriver.manage().setTimeouts(timeouts); }
+
+  async close() { await this.webDriver.quit(); }
+
+  // Each driver reports its own version under a vendor capability
+  async versionInfo() {
+    const caps = await this.webDriver.getCapabilities();
+    const browserName = caps.get('browserName');
+    const [driverName, driverVersion] =
+      caps.get('moz:geckodriverVersion') ? ['geckodriver', caps.get('moz:geckodriverVersion')] :
+      caps.get('msedge') ? ['msedgedriver', caps.get('msedge').msedgedriverVersion] :
+      ['chromedriver', caps.get('chrome')?.chromedriverVersion];
+    return {
+      browserName,
+      browserVersion: cleanVersion(caps.get('browserVersion') || caps.get('version')),
+      driverName,
+      driverVersion: cleanVersion(driverVersion),
+      platform: caps.get('platformName') || caps.get('platform') || null
+    };
+  }
+
+  // Chrome and Edge only: DevTools overrides apply to the whole tab, so they survive navigation
+  async emulateDevice({ width, height, deviceScaleFactor, userAgent, mobile, touch }) {
+    if (typeof this.webDriver.sendDevToolsCommand !== 'function') return false;
+    const cdp = (cmd, params) => this.webDriver.sendDevToolsCommand(cmd, params);
+    await cdp('Emulation.setDeviceMetricsOverride', {
+      width, height, deviceScaleFactor, mobile, screenWidth: width, screenHeight: height
+    });
+    await cdp('Emulation.setTouchEmulationEnabled', { enabled: touch, maxTouchPoints: touch ? 5 : 0 });
+    await cdp('Emulation.setEmitTouchEventsForMouse', { enabled: touch, configuration: mobile ? 'mobile' : 'desktop' });
+    await cdp('Emulation.setUserAgentOverride', { userAgent });
+    return true;
+  }
+
+  // Chrome and Edge only, through the same DevTools session as emulateDevice
+  async setNetworkConditions({ offline, latency, download, upload }) {
+    if (typeof this.webDriver.sendDevToolsCommand !== 'function') return false;
+    await this.webDriver.sendDevToolsCommand('Network.enable', {});
+    await this.webDriver.sendDevToolsCommand('Network.emulateNetworkConditions', {
+      offline, latency, downloadThroughput: download, uploadThroughput: upload
+    });
+    return true;
+  }
+
+  // Chrome and Edge only: reads the performance log, which the tester enables at launch when config.har is set
+  async startNetworkCapture() {
+    try {
+      await this.webDriver.manage().logs().get(logging.Type.PERFORMANCE);
+      this.capturing = true;
+    } catch {
+      this.capturing = false;
+    }
+    return this.capturing;
+  }
+
+  async saveNetworkCapture(filePath, meta) {
+    if (!this.capturing) return null;
+    this.capturing = false;
+    const events = (await this.webDriver.manage().logs().get(logging.Type.PERFORMANCE))
+      .map(entry => JSON.parse(entry.message).message);
+    
+    const requests = new Map();
+    const byId = (id) => requests.get(id) || requests.set(id, { id }).get(id);
+    events.forEach(({ method, params }) => {
+      if (method === 'Network.requestWillBeSent') {
+        Object.assign(byId(params.requestId), { request: params.request, type: params.type, start: params.timestamp, wallTime: params.wallTime });
+      } else if (method === 'Network.responseReceived') {
+        byId(params.requestId).response = params.response;
+      } else if (method === 'Network.loadingFinished') {
+        Object.assign(byId(params.requestId), { end: params.timestamp, size: params.encodedDataLength });
+      } else if (method === 'Network.loadingFailed') {
+        Object.assign(byId(params.requestId), { end: params.timestamp, error: params.errorText });
+      }
+    });
+    
+    const records = [];
+    for (const r of requests.values()) {
+      if (!r.request) continue;
+      let bodyText;
+      if (r.response && keepsBody(r.type) && typeof this.webDriver.sendAndGetDevToolsCommand === 'function') {
+        try {
+          const { body, base64Encoded } = await this.webDriver.sendAndGetDevToolsCommand('Network.getResponseBody', { requestId: r.id });
+          bodyText = base64Encoded ? Buffer.from(body, 'base64').toString('utf8') : body;
+        } catch {}
+      }
+      records.push({
+        startedDateTime: new Date(r.wallTime * 1000).toISOString(),
+        time: ((r.end ?? r.start) - r.start) * 1000,
+        method: r.request.method,
+        url: r.request.url,
+        requestHeaders: r.request.headers,
+        postData: r.request.postData,
+        resourceType: r.type,
+        status: r.response?.status,
+        statusText: r.response?.statusText,
+        responseHeaders: r.response?.headers,
+        mimeType: r.response?.mimeType,
+        bodyText,
+        bodySize: r.size,
+        error: r.error
+      });
+    }
+    return writeHar(filePath, records, meta);
+  }
+}
+
+module.exports = { SeleniumPageDriver, pollUntil, ensureDir };
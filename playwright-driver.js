@@ -0,0 +1,185 @@
+const { pollUntil, ensureDir } = require('./page-driver');
+const { keepsBody, writeHar } = require('./har');
+
+// Playwright adapter for the page-driver interface (see page-driver.js), chosen with --engine=playwright.
+
+const BROWSER_TYPES = {
+  chrome: { type: 'chromium', channel: 'chrome' },
+  edge: { type: 'chromium', channel: 'msedge' },
+  firefox: { type: 'firefox' }
+};
+
+// Normalized HAR record (see har.js) for a finished or failed request
+async function captureRecord(request, failed) {
+  const response = failed ? null : await request.response();
+  const timing = request.timing();
+  const resourceType = request.resourceType();
+  const responseHeaders = response ? await response.allHeaders() : {};
+  return {
+    startedDateTime: new Date(timing.startTime).toISOString(),
+    time: Math.max(timing.responseEnd, 0),
+    method: request.method(),
+    url: request.url(),
+    requestHeaders: await request.allHeaders(),
+    postData: request.postData(),
+    resourceType,
+    status: response?.status(),
+    statusText: response?.statusText(),
+    responseHeaders,
+    mimeType: responseHeaders['content-type'],
+    bodyText: response && keepsBody(resourceType) ? await response.text().catch(() => undefined) : undefined,
+    error: failed ? request.failure()?.errorText : undefined
+  };
+}
+
+class PlaywrightPageDriver {
+  constructor(browser, context, page, { tracePath = null, channel = null } = {}) {
+    this.browser = browser;
+    this.context = context;
+    this.page = page;
+    this.tracePath = tracePath;
+    this.channel = channel;
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} options.browser   chrome, edge or firefox
+   * @param {boolean} options.headless
+   * @param {{w: number, h: number, ua: string, pr: number, touch: boolean}|null} options.device  preset for native emulation; null for desktop
+   * @param {string|null} options.tracePath  zip file the trace is saved to on close; null disables tracing
+   */
+  static async launch({ browser, headless, device = null, userAgent = null, tracePath = null }) {
+    const playwright = require('@playwright/test');
+    const { type, channel } = BROWSER_TYPES[browser] || BROWSER_TYPES.chrome;
+    const instance = await playwright[type].launch({ headless, ...(channel ? { channel } : {}) });
+
+    const contextOptions = device ? {
+      viewport: { width: device.w, height: device.h },
+      userAgent: device.ua,
+      deviceScaleFactor: device.pr,
+      // Firefox has no mobile mode; viewport, user agent and scale factor still apply
+      ...(type === 'firefox' ? {} : { isMobile: true }),
+      hasTouch: device.touch
+    } : { viewport: headless ? { width: 1920, height: 1080 } : null, ...(userAgent ? { userAgent } : {}) };
+    // Once the browser is up, a failed setup step must close it, or every initializeDriver retry leaks one
+    try {
+      // Scripts are function bodies compiled in the page, which strict CSPs would otherwise block
+      const context = await instance.newContext({ ...contextOptions, bypassCSP: true });
+      if (tracePath) await context.tracing.start({ screenshots: true, snapshots: true });
+      return new PlaywrightPageDriver(instance, context, await context.newPage(), { tracePath, channel });
+    } catch (error) {
+      await instance.close().catch(() => {});
+      throw error;
+    }
+  }
+
+  async goto(url) { await this.page.goto(url, { waitUntil: 'load' }); }
+
+  async reload() { await this.page.reload({ waitUntil: 'load' }); }
+
+  // Element handles may sit anywhere in args; Playwright passes them through to the page as nodes
+  async evaluate(script, ...args) {
+    return this.page.evaluate(([body, ...params]) => new Function(body).apply(null, params), [script, ...args]);
+  }
+
+  // Playwright's CSS engine pierces open shadow roots, so bolt-select internals are reachable directly
+  async query(selector) { return this.page.$$(selector); }
+
+  async click(target) {
+    if (typeof target === 'string') await this.page.click(target);
+    else await target.click();
+  }
+
+  async waitFor(condition, timeout) {
+    if (typeof condition === 'string') return this.page.waitForSelector(condition, { state: 'attached', timeout });
+    return pollUntil(condition, timeout, 'condition');
+  }
+
+  async screenshot(filePath) {
+    ensureDir(filePath);
+    await this.page.screenshot({ path: filePath, fullPage: true });
+    return filePath;
+  }
+
+  async title() { return this.page.title(); }
+
+  async clearCookies() { await this.context.clearCookies(); }
+
+  async setViewport({ width, height }) { await this.page.setViewportSize({ width, height }); }
+
+  // The window size is fixed when the context is created
+  async maximize() {}
+
+  async setTimeouts({ pageLoad, script }) {
+    this.page.setDefaultNavigationTimeout(pageLoad);
+    this.page.setDefaultTimeout(script);
+  }
+
+  // Offline works in every browser; latency and throughput go through a Chromium DevTools session
+  async setNetworkConditions({ offline, latency, download, upload }) {
+    await this.context.setOffline(offline);
+    if (latency <= 0 && download < 0 && upload < 0) return true;
+    if (this.browser.browserType().name() !== 'chromium') return false;
+    this.cdpSession = this.cdpSession || await this.context.newCDPSession(this.page);
+    await this.cdpSession.send('Network.emulateNetworkConditions', {
+      offline, latency, downloadThroughput: download, uploadThroughput: upload
+    });
+    return true;
+  }
+
+  async startNetworkCapture() {
+    this.stopNetworkCapture();
+    const pending = [];
+    const onFinished = (request) => pending.push(captureRecord(request, false).catch(() => null));
+    const onFailed = (request) => pending.push(captureRecord(request, true).catch(() => null));
+    this.page.on('requestfinished', onFinished);
+    this.page.on('requestfailed', onFailed);
+    this.networkCapture = { pending, detach: () => {
+      this.page.off('requestfinished', onFinished);
+      this.page.off('requestfailed', onFailed);
+    } };
+    return true;
+  }
+
+  async saveNetworkCapture(filePath, meta) {
+    if (!this.networkCapture) return null;
+    const { pending } = this.networkCapture;
+    this.stopNetworkCapture();
+    return writeHar(filePath, (await Promise.all(pending)).filter(Boolean), meta);
+  }
+
+  stopNetworkCapture() {
+    if (this.networkCapture) this.networkCapture.detach();
+    this.networkCapture = null;
+  }
+
+  // Saves the trace recorded so far and keeps tracing into a new chunk that close() saves to tracePath
+  async nextTraceChunk(tracePath) {
+    if (!this.tracePath) return false;
+    ensureDir(this.tracePath);
+    await this.context.tracing.stopChunk({ path: this.tracePath });
+    await this.context.tracing.startChunk();
+    this.tracePath = tracePath;
+    return true;
+  }
+
+  async versionInfo() {
+    return {
+      browserName: this.channel || this.browser.browserType().name(),
+      browserVersion: this.browser.version(),
+      driverName: 'playwright',
+      driverVersion: require('playwright-core/package.json').version,
+      platform: process.platform
+    };
+  }
+
+  async close() {
+    if (this.tracePath) {
+      ensureDir(this.tracePath);
+      await this.context.tracing.stop({ path: this.tracePath }).catch(() => {});
+    }
+    await this.browser.close();
+  }
+}
+
+module.exports = { PlaywrightPageDriver, BROWSER_TYPES };
@@ -0,0 +1,45 @@
+const fs = require('fs');
+
+// Reads <loc> entries from a sitemap.xml given as a file path or http(s) URL.
+// Sitemap indexes are followed (up to maxDepth levels) so a site-wide index can be passed directly.
+
+function isHttpUrl(source) {
+  return /^https?:\/\//i.test(source);
+}
+
+async function readSitemapSource(source) {
+  if (isHttpUrl(source)) {
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`Could not fetch sitemap ${source}: HTTP ${response.status}`);
+    return response.text();
+  }
+  if (!fs.existsSync(source)) throw new Error(`Sitemap file not found: ${source}`);
+  return fs.readFileSync(source, 'utf8');
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+function parseSitemap(xml) {
+  const locs = [...xml.matchAll(/<loc>([\s\S]*?)<\/loc>/gi)].map(m => decodeXml(m[1]));
+  return { isIndex: /<sitemapindex[\s>]/i.test(xml), locs };
+}
+
+async function loadSitemapUrls(source, { maxDepth = 2 } = {}) {
+  const { isIndex, locs } = parseSitemap(await readSitemapSource(source));
+  if (!isIndex) return [...new Set(locs)];
+  if (maxDepth <= 0) throw new Error(`Sitemap index ${source} nests deeper than allowed`);
+
+  const urls = [];
+  for (const child of locs) {
+    urls.push(...await loadSitemapUrls(child, { maxDepth: maxDepth - 1 }));
+  }
+  return [...new Set(urls)];
+}
+
+module.exports = { loadSitemapUrls, parseSitemap };
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { CONFIG_SCHEMA, mergeConfig, validateAgainst } = require('./tester-config');
+const { validateExpectations } = require('./tile-expectations');
+
+// Suite file format (YAML or JSON), a structured alternative to the CSV:
+// defaults:                      # optional, applied to every entry
+//   browser: chrome
+//   selectors: { tiles: bolt-tile }
+// urls:
+//   - url: https://www.nationwide.com/financial-professionals/topics/legacy-estate-wealth-transfer/
+//     description: Legacy & wealth transfer
+//     expectedDropdowns: 3
+//     enableTileCounting: true
+//     tags: [smoke, advisors]
+//     selectors:                              # deep-merged over the run selectors; omitted keys keep their defaults
+//       dropdowns: [.filters select]
+//       tiles: .result-card
+//       noResults: .no-results
+//       resetButton: button.clear-filters
+//     optionFilters:                          # keyed by dropdown label or "Dropdown N"; option text or value
+//       Audience: { include: [Financial professionals] }
+//       Content type: { exclude: [videos] }
+//     expectations:                           # same entries as the golden expectations file
+//       - { options: ["", "articles", "*"], tileCount: { min: 1 } }
+// Entry fields left out inherit the run configuration, like blank CSV columns.
+
+const { properties: config } = CONFIG_SCHEMA;
+const ENTRY_SCHEMA = {
+  type: 'object',
+  properties: {
+    url: { type: 'string' },
+    description: { type: 'string' },
+    expectedDropdowns: { type: ['integer', 'null'], min: 1 },
+    enableTileCounting: config.enableTileCounting,
+    browser: config.browser,
+    device: config.device,
+    mobileDevice: config.mobileDevice,
+    orientation: config.orientation,
+    headless: config.headless,
+    tags: { type: 'array', items: { type: 'string' } },
+    selectors: config.selectors,
+    optionFilters: config.optionFilters,
+    expectations: { type: 'array', items: { type: 'object' } }
+  }
+};
+// Defaults take the same fields minus the ones that only make sense per URL
+const defaultProperties = Object.fromEntries(Object.entries(ENTRY_SCHEMA.properties)
+  .filter(([key]) => !['url', 'expectations'].includes(key)));
+const SUITE_SCHEMA = {
+  type: 'object',
+  properties: {
+    defaults: { type: 'object', properties: defaultProperties },
+    urls: { type: 'array', minItems: 1, items: ENTRY_SCHEMA }
+  }
+};
+
+function parseSuiteFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  try {
+    return path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Could not parse suite file ${filePath}: ${error.message}`);
+  }
+}
+
+function validateSuite(suite, filePath, { knownDevices = [] } = {}) {
+  const errors = validateAgainst(SUITE_SCHEMA, suite, '', []);
+  if (!errors.length && !suite.urls) errors.push('urls: required');
+
+  (suite.urls || []).forEach((entry, i) => {
+    if (!entry || typeof entry !== 'object') return;
+    const where = `urls[${i}]`;
+    if (!entry.url) errors.push(`${where}.url: required`);
+    else {
+      try {
+        if (!['http:', 'https:'].includes(new URL(entry.url).protocol)) errors.push(`${where}.url: must use http or https`);
+      } catch { errors.push(`${where}.url: not a valid URL`); }
+    }
+    if (entry.mobileDevice && knownDevices.length && !knownDevices.includes(entry.mobileDevice)) {
+      errors.push(`${where}.mobileDevice: "${entry.mobileDevice}" is not one of ${knownDevices.join(', ')}`);
+    }
+    if (Array.isArray(entry.expectations)) {
+      try {
+        validateExpectations({ expectations: entry.expectations }, filePath);
+      } catch (error) {
+        errors.push(...error.message.split('\n').slice(1).map(e => `${where}.${e.trim()}`));
+      }
+    }
+  });
+  if (errors.length) throw new Error(`Invalid suite file ${filePath}:\n  ${errors.join('\n  ')}`);
+  return suite;
+}
+
+// Returns one test case per entry with the suite defaults applied; tags filter when non-empty
+function loadSuite(filePath, { tags = [], knownDevices = [] } = {}) {
+  if (!fs.existsSync(filePath)) throw new Error(`Suite file not found: ${path.resolve(filePath)}`);
+  const suite = validateSuite(parseSuiteFile(filePath), filePath, { knownDevices });
+  const defaults = suite.defaults || {};
+
+  return suite.urls
+    .map((entry, i) => ({
+      ...mergeConfig(defaults, entry),
+      description: entry.description || defaults.description || '',
+      expectedDropdowns: entry.expectedDropdowns ?? defaults.expectedDropdowns ?? null,
+      tags: entry.tags || defaults.tags || [],
+      suiteIndex: i
+    }))
+    .filter(testCase => !tags.length || testCase.tags.some(t => tags.includes(t)));
+}
+
+function writeSuite(filePath, suite, header = '') {
+  const text = path.extname(filePath).toLowerCase() === '.json' ?
+    JSON.stringify(suite, null, 2) + '\n' : header + YAML.stringify(suite);
+  fs.writeFileSync(filePath, text);
+}
+
+function isSuiteFile(filePath) {
+  return ['.yml', '.yaml', '.json'].includes(path.extname(filePath).toLowerCase());
+}
+
+module.exports = { loadSuite, writeSuite, isSuiteFile };
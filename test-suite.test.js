@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadSuite, writeSuite, isSuiteFile } = require('./test-suite');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-suite-'));
+const suiteFile = (name, text) => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+};
+
+const SUITE = `
+defaults:
+  browser: firefox
+  tags: [regression]
+  selectors: { tiles: bolt-tile, resetButton: button.reset }
+urls:
+  - url: https://www.nationwide.com/topics/legacy/
+    expectedDropdowns: 2
+    tags: [smoke]
+    selectors: { tiles: .result-card }
+    optionFilters:
+      Audience: { exclude: [Advisors] }
+  - url: https://www.nationwide.com/topics/retirement/
+    description: Retirement
+    browser: edge
+`;
+
+test('loadSuite applies defaults under each entry and deep-merges selectors', () => {
+  const [legacy, retirement] = loadSuite(suiteFile('suite.yml', SUITE));
+  assert.deepEqual(legacy.selectors, { tiles: '.result-card', resetButton: 'button.reset' });
+  assert.deepEqual([legacy.browser, legacy.expectedDropdowns, legacy.tags, legacy.suiteIndex], ['firefox', 2, ['smoke'], 0]);
+  assert.deepEqual(legacy.optionFilters, { Audience: { exclude: ['Advisors'] } });
+  assert.deepEqual([retirement.browser, retirement.description, retirement.expectedDropdowns, retirement.tags], ['edge', 'Retirement', null, ['regression']]);
+});
+
+test('loadSuite keeps only entries carrying one of the requested tags', () => {
+  const file = suiteFile('tagged.yml', SUITE);
+  assert.deepEqual(loadSuite(file, { tags: ['smoke'] }).map(tc => tc.suiteIndex), [0]);
+  assert.deepEqual(loadSuite(file, { tags: ['regression', 'smoke'] }).map(tc => tc.suiteIndex), [0, 1]);
+  assert.deepEqual(loadSuite(file, { tags: ['nightly'] }), []);
+});
+
+test('loadSuite reports every invalid entry with its index', () => {
+  const file = suiteFile('invalid.json', JSON.stringify({
+    urls: [
+      { url: 'ftp://www.nationwide.com/' },
+      { description: 'No URL', mobileDevice: 'Pixel 99' },
+      { url: 'https://www.nationwide.com/a/', workers: 2, expectations: [{ options: 'all' }] }
+    ]
+  }));
+  assert.throws(() => loadSuite(file, { knownDevices: ['iPhone 13'] }), error => {
+    assert.deepEqual(error.message.split('\n  ').slice(1), [
+      'urls[2].workers: unknown setting',
+      'urls[0].url: must use http or https',
+      'urls[1].url: required',
+      'urls[1].mobileDevice: "Pixel 99" is not one of iPhone 13',
+      'urls[2].expectations[0].options: expected an array of option values'
+    ]);
+    return true;
+  });
+  assert.throws(() => loadSuite(suiteFile('broken.yml', 'urls: [')), /Could not parse suite file/);
+  assert.throws(() => loadSuite(path.join(dir, 'missing.yml')), /Suite file not found/);
+});
+
+test('writeSuite output loads back as the same suite', () => {
+  const suite = { urls: [{ url: 'https://www.nationwide.com/topics/legacy/', description: 'Legacy', expectedDropdowns: 3, tags: ['discovered'] }] };
+  ['discovered.yml', 'discovered.json'].forEach(name => {
+    const file = path.join(dir, name);
+    writeSuite(file, suite, '# Discovered from sitemap.xml\n');
+    assert.ok(isSuiteFile(file));
+    assert.deepEqual(loadSuite(file).map(({ suiteIndex, ...tc }) => tc), suite.urls);
+  });
+  assert.equal(isSuiteFile('urls.csv'), false);
+});
@@ -0,0 +1,379 @@
+const fs = require('fs');
+const path = require('path');
+const { ORIENTATIONS } = require('./device-presets');
+const { NETWORK_PROFILE_NAMES } = require('./network-profiles');
+
+const SUPPORTED_BROWSERS = ['chrome', 'edge', 'firefox'];
+const SUPPORTED_DEVICES = ['desktop', 'mobile'];
+const SUPPORTED_ENGINES = ['selenium', 'playwright', 'fixture'];
+
+const DEFAULT_CONFIG_FILE = 'dropdown-tester.config.json';
+const ENV_PREFIX = 'DROPDOWN_TESTER_';
+
+// === DEFAULTS ===
+const DEFAULT_CONFIG = {
+  browser: 'chrome',
+  // selenium drives chromedriver/msedgedriver/geckodriver; playwright uses its own protocol and native emulation;
+  // fixture serves saved HTML from the fixtures map through jsdom (see fixture-driver.js)
+  engine: 'selenium',
+  fixtures: {},
+  // Playwright only: record a trace (screenshots + DOM snapshots) per URL, viewable with `npx playwright show-trace`
+  trace: false,
+  // Save the requests each combination triggers (selection through tile detection) as <out>/har/*.har
+  har: false,
+  device: 'desktop',
+  mobileDevice: 'iPhone 12',
+  // null keeps each preset's own orientation
+  orientation: null,
+  // Extra presets merged over device-presets.json (see device-presets.js)
+  devicePresetsFile: null,
+  // Network profile from network-profiles.js; null uses the device preset's own (if any), 'none' forces unthrottled
+  network: null,
+  headless: false,
+  // Browser sessions testing URLs side by side; above 1 each worker logs to logs/worker-N
+  workers: 1,
+  // Keep one browser session across URLs that share browser/device settings, so cookies and consent persist.
+  // Between URLs it is recycled once any limit is reached: combinations run in it, the page's JS heap
+  // (Chromium only) or this process's resident memory, in MB. null disables a limit
+  session: {
+    reuse: false,
+    maxCombinations: 200,
+    maxHeapMB: 512,
+    maxMemoryMB: null
+  },
+  // Sessions each URL's combinations are split across (contiguous ranges, numbered as in a single session)
+  shards: 1,
+  csv: 'urls.csv',
+  // YAML/JSON suite (see test-suite.js); takes precedence over csv when set
+  suite: null,
+  // Only suite entries carrying at least one of these tags run; empty runs everything
+  tags: [],
+  strictCsv: false,
+  // Default for rows without an enableTileCounting column
+  enableTileCounting: true,
+  // Golden expectations JSON (see tile-expectations.js); null disables the comparison
+  expectations: null,
+  // Dropdown label (or "Dropdown N") → { include: [...], exclude: [...] } option text or values,
+  // applied before combinations are enumerated
+  optionFilters: {},
+  // Tiles whose title/href/image are captured per combination
+  maxTileDetails: 10,
+  outDir: 'reports',
+  // Target host: baseUrl wins, otherwise the named environment is looked up in environments
+  baseUrl: null,
+  environment: null,
+  environments: {},
+  // Browser × device cells; devices are 'desktop' or mobile preset names. Empty lists mean no matrix
+  matrix: {
+    browsers: [],
+    devices: []
+  },
+  // Sitemap scan for --discover: which paths to visit and where the resulting suite goes
+  discovery: {
+    pathPattern: '/financial-professionals/topics/',
+    out: 'discovered-suite.yml',
+    maxPages: null
+  },
+  // CI thresholds; null disables a gate and leaves the zero-tolerance default in place
+  gates: {
+    minPassRate: null,
+    maxFailedCombos: null,
+    maxErrorUrls: null,
+    maxStuckRecoveries: null,
+    maxDropdownMismatches: null
+  },
+  timeouts: {
+    activity: 45000,
+    implicit: 30000,
+    pageLoad: 60000,
+    script: 60000,
+    documentReady: 60000,
+    dropdownContainer: 30000
+  },
+  delays: {
+    popupWait: 2000,
+    popupSettle: 1500,
+    selectionSettle: 800,
+    resetSettle: 1000,
+    tileSettle: 2500,
+    scrollSettle: 500,
+    sortSettle: 1000,
+    betweenUrls: 3000
+  },
+  retries: {
+    navigation: 3,
+    dropdownFinding: 2,
+    dropdownOptions: 2,
+    selection: 2,
+    verification: 2,
+    overall: 3,
+    stuckRecovery: 2,
+    tileValidation: 2,
+    sortByValidation: 2
+  },
+  selectors: {
+    container: '.nw-container',
+    dropdowns: ['bolt-select', '.main-filter bolt-select', 'select[data-test="select"]', 'select'],
+    maxDropdowns: 3,
+    tiles: 'bolt-tile',
+    tileTitles: ['.bolt-tile-wc--label', '.bolt-tile-wc--title', '[class*="title"]', '[class*="label"]', 'h1, h2, h3, h4', '.card-title', '.heading'],
+    noResults: 'bolt-notification',
+    resetButton: '#tileFilterResetButton',
+    sortControls: 'select, bolt-select, [data-test*="sort"], [class*="sort"]',
+    cookieButtons: ['#truste-consent-button', 'button.call[role="button"]', '.truste-icon-box', 'button.required[role="button"]']
+  },
+  noResultsMessages: [
+    'There are no items that match your choices.',
+    'No results found',
+    'No items match your selection',
+    'No content available',
+    '0 results found',
+    'No matches found'
+  ]
+};
+
+// === SCHEMA ===
+const positiveInt = { type: 'integer', min: 0 };
+const selectorList = { type: 'array', items: { type: 'string' }, minItems: 1 };
+const optionFilterMap = {
+  type: 'object',
+  values: {
+    type: 'object',
+    properties: {
+      include: { type: 'array', items: { type: 'string' }, minItems: 1 },
+      exclude: { type: 'array', items: { type: 'string' } }
+    }
+  }
+};
+const numberMap = (defaults, spec) => ({
+  type: 'object',
+  properties: Object.fromEntries(Object.keys(defaults).map(k => [k, spec]))
+});
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    browser: { type: 'string', enum: SUPPORTED_BROWSERS },
+    engine: { type: 'string', enum: SUPPORTED_ENGINES },
+    fixtures: { type: 'object', values: { type: 'string' } },
+    trace: { type: 'boolean' },
+    har: { type: 'boolean' },
+    device: { type: 'string', enum: SUPPORTED_DEVICES },
+    mobileDevice: { type: 'string' },
+    orientation: { type: ['string', 'null'], enum: ORIENTATIONS },
+    devicePresetsFile: { type: ['string', 'null'] },
+    network: { type: ['string', 'null'], enum: NETWORK_PROFILE_NAMES },
+    headless: { type: 'boolean' },
+    workers: { type: 'integer', min: 1, max: 16 },
+    shards: { type: 'integer', min: 1, max: 16 },
+    session: {
+      type: 'object',
+      properties: {
+        reuse: { type: 'boolean' },
+        maxCombinations: { type: ['integer', 'null'], min: 1 },
+        maxHeapMB: { type: ['integer', 'null'], min: 1 },
+        maxMemoryMB: { type: ['integer', 'null'], min: 1 }
+      }
+    },
+    csv: { type: 'string' },
+    suite: { type: ['string', 'null'] },
+    tags: { type: 'array', items: { type: 'string' } },
+    strictCsv: { type: 'boolean' },
+    enableTileCounting: { type: 'boolean' },
+    expectations: { type: ['string', 'null'] },
+    optionFilters: optionFilterMap,
+    maxTileDetails: { type: 'integer', min: 1 },
+    outDir: { type: 'string' },
+    userAgent: { type: 'string' },
+    baseUrl: { type: ['string', 'null'] },
+    environment: { type: ['string', 'null'] },
+    environments: { type: 'object', values: { type: 'string' } },
+    matrix: {
+      type: 'object',
+      properties: {
+        browsers: { type: 'array', items: { type: 'string', enum: SUPPORTED_BROWSERS } },
+        devices: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    discovery: {
+      type: 'object',
+      properties: {
+        pathPattern: { type: 'string' },
+        out: { type: 'string' },
+        maxPages: { type: ['integer', 'null'], min: 1 }
+      }
+    },
+    gates: {
+      type: 'object',
+      properties: {
+        minPassRate: { type: ['integer', 'null'], min: 0, max: 100 },
+        maxFailedCombos: { type: ['integer', 'null'], min: 0 },
+        maxErrorUrls: { type: ['integer', 'null'], min: 0 },
+        maxStuckRecoveries: { type: ['integer', 'null'], min: 0 },
+        maxDropdownMismatches: { type: ['integer', 'null'], min: 0 }
+      }
+    },
+    timeouts: numberMap(DEFAULT_CONFIG.timeouts, { type: 'integer', min: 1000 }),
+    delays: numberMap(DEFAULT_CONFIG.delays, positiveInt),
+    retries: numberMap(DEFAULT_CONFIG.retries, { type: 'integer', min: 1, max: 10 }),
+    selectors: {
+      type: 'object',
+      properties: {
+        container: { type: 'string' },
+        dropdowns: selectorList,
+        maxDropdowns: { type: 'integer', min: 1 },
+        tiles: { type: 'string' },
+        tileTitles: selectorList,
+        noResults: { type: 'string' },
+        resetButton: { type: 'string' },
+        sortControls: { type: 'string' },
+        cookieButtons: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    noResultsMessages: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function validateAgainst(schema, value, keyPath, errors) {
+  const actual = typeOf(value);
+  const types = [].concat(schema.type);
+  const typeMatches = types.includes(actual) || (types.includes('number') && actual === 'integer');
+  if (!typeMatches) {
+    errors.push(`${keyPath || 'config'}: expected ${types.join(' or ')}, got ${actual}`);
+    return errors;
+  }
+  if (actual === 'null') return errors;
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${keyPath}: "${value}" is not one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.min !== undefined && value < schema.min) errors.push(`${keyPath}: must be >= ${schema.min}`);
+  if (schema.max !== undefined && value > schema.max) errors.push(`${keyPath}: must be <= ${schema.max}`);
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${keyPath}: needs at least ${schema.minItems} item(s)`);
+    value.forEach((item, i) => validateAgainst(schema.items, item, `${keyPath}[${i}]`, errors));
+  }
+  if (schema.type === 'object' && schema.properties) {
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = keyPath ? `${keyPath}.${key}` : key;
+      if (!schema.properties[key]) errors.push(`${childPath}: unknown setting`);
+      else if (child !== undefined) validateAgainst(schema.properties[key], child, childPath, errors);
+    });
+  }
+  // Free-form maps (e.g. environments) only constrain their values
+  if (schema.type === 'object' && schema.values) {
+    Object.entries(value).forEach(([key, child]) => validateAgainst(schema.values, child, `${keyPath}.${key}`, errors));
+  }
+  return errors;
+}
+
+function validateConfig(config) {
+  return validateAgainst(CONFIG_SCHEMA, config, '', []);
+}
+
+// === LAYERING ===
+function isPlainObject(value) {
+  return typeOf(value) === 'object';
+}
+
+function mergeConfig(base, override = {}) {
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    if (value === undefined) return;
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  });
+  return merged;
+}
+
+function readConfigFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read config file ${filePath}: ${error.message}`);
+  }
+}
+
+// Maps DROPDOWN_TESTER_RETRIES__DROPDOWN_FINDING=4 onto { retries: { dropdownFinding: 4 } }
+function configFromEnv(env = process.env) {
+  const normalize = (s) => s.replace(/_/g, '').toLowerCase();
+  const fromEnv = {};
+  const errors = [];
+
+  Object.entries(env).filter(([name]) => name.startsWith(ENV_PREFIX)).forEach(([name, raw]) => {
+    let schema = CONFIG_SCHEMA;
+    let target = fromEnv;
+    const segments = name.slice(ENV_PREFIX.length).split('__');
+
+    for (const [i, segment] of segments.entries()) {
+      const key = Object.keys(schema.properties || {}).find(k => normalize(k) === normalize(segment));
+      if (!key) {
+        errors.push(`${name}: does not match a config setting`);
+        return;
+      }
+      schema = schema.properties[key];
+      if (i === segments.length - 1) {
+        target[key] = coerceEnvValue(raw, schema);
+      } else {
+        target = target[key] = target[key] || {};
+      }
+    }
+  });
+
+  if (errors.length) throw new Error(`Invalid environment configuration:\n  ${errors.join('\n  ')}`);
+  return fromEnv;
+}
+
+function coerceEnvValue(raw, schema) {
+  const types = [].concat(schema.type);
+  if (types.includes('null') && raw === 'null') return null;
+  switch (types[0]) {
+    case 'boolean': return raw === 'true' ? true : raw === 'false' ? false : raw;
+    case 'integer':
+    case 'number': return raw.trim() !== '' && !isNaN(Number(raw)) ? Number(raw) : raw;
+    case 'array':
+      try { return JSON.parse(raw); } catch { return raw; }
+    default: return raw;
+  }
+}
+
+// Resolution order: defaults → project file → environment → CLI overrides
+function loadConfig({ configPath, cli = {}, env = process.env, cwd = process.cwd() } = {}) {
+  const layers = [{ source: 'defaults', values: DEFAULT_CONFIG }];
+
+  const filePath = configPath ? path.resolve(cwd, configPath) : path.join(cwd, DEFAULT_CONFIG_FILE);
+  if (configPath && !fs.existsSync(filePath)) throw new Error(`Config file not found: ${filePath}`);
+  if (fs.existsSync(filePath)) layers.push({ source: filePath, values: readConfigFile(filePath) });
+
+  layers.push({ source: 'environment', values: configFromEnv(env) });
+  layers.push({ source: 'command line', values: cli });
+
+  const errors = [];
+  layers.slice(1).forEach(({ source, values }) => {
+    validateConfig(values).forEach(e => errors.push(`${source} → ${e}`));
+  });
+  if (errors.length) throw new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+
+  const config = layers.reduce((acc, layer) => mergeConfig(acc, layer.values), {});
+  config.configSources = layers.map(l => l.source);
+  return config;
+}
+
+module.exports = {
+  SUPPORTED_BROWSERS,
+  SUPPORTED_DEVICES,
+  SUPPORTED_ENGINES,
+  DEFAULT_CONFIG,
+  DEFAULT_CONFIG_FILE,
+  CONFIG_SCHEMA,
+  ENV_PREFIX,
+  loadConfig,
+  mergeConfig,
+  validateAgainst,
+  validateConfig
+};
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_CONFIG, loadConfig, mergeConfig } = require('./tester-config');
+
+const projectDir = (config) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tester-config-'));
+  if (config) fs.writeFileSync(path.join(dir, 'dropdown-tester.config.json'), JSON.stringify(config));
+  return dir;
+};
+
+test('layers defaults, project file, environment and command line in that order', () => {
+  const cwd = projectDir({ browser: 'firefox', workers: 2, timeouts: { activity: 60000 } });
+  const env = { DROPDOWN_TESTER_WORKERS: '3', DROPDOWN_TESTER_HEADLESS: 'true' };
+  const config = loadConfig({ cwd, env, cli: { workers: 4 } });
+  
+  assert.equal(config.browser, 'firefox');
+  assert.equal(config.workers, 4);
+  assert.equal(config.headless, true);
+  assert.equal(config.timeouts.activity, 60000);
+  assert.equal(config.timeouts.pageLoad, DEFAULT_CONFIG.timeouts.pageLoad);
+  assert.deepEqual(config.configSources, ['defaults', path.join(cwd, 'dropdown-tester.config.json'), 'environment', 'command line']);
+});
+
+test('maps nested environment variables and coerces them to the schema type', () => {
+  const config = loadConfig({
+    cwd: projectDir(),
+    env: {
+      DROPDOWN_TESTER_RETRIES__DROPDOWN_FINDING: '4',
+      DROPDOWN_TESTER_SELECTORS__DROPDOWNS: '["select.filter"]',
+      DROPDOWN_TESTER_GATES__MIN_PASS_RATE: 'null',
+      DROPDOWN_TESTER_SELECTORS__TILES: 'bolt-card',
+      PATH: '/usr/bin'
+    }
+  });
+  assert.equal(config.retries.dropdownFinding, 4);
+  assert.deepEqual(config.selectors.dropdowns, ['select.filter']);
+  assert.equal(config.gates.minPassRate, null);
+  assert.equal(config.selectors.tiles, 'bolt-card');
+});
+
+test('reports invalid settings with the layer they came from', () => {
+  assert.throws(() => loadConfig({ cwd: projectDir(), env: { DROPDOWN_TESTER_RETRYS__NAVIGATION: '2' } }),
+    /DROPDOWN_TESTER_RETRYS__NAVIGATION: does not match a config setting/);
+  assert.throws(() => loadConfig({ cwd: projectDir(), env: { DROPDOWN_TESTER_WORKERS: 'many' } }),
+    /environment → workers: expected integer, got string/);
+  assert.throws(() => loadConfig({ cwd: projectDir({ browser: 'opera' }), env: {} }), /browser: "opera" is not one of/);
+  assert.throws(() => loadConfig({ cwd: projectDir(), env: {}, configPath: 'missing.json' }), /Config file not found/);
+});
+
+test('mergeConfig merges nested objects and replaces arrays', () => {
+  const merged = mergeConfig({ selectors: { tiles: 'bolt-tile', dropdowns: ['a', 'b'] }, workers: 1 },
+    { selectors: { dropdowns: ['c'] }, workers: undefined });
+  assert.deepEqual(merged, { selectors: { tiles: 'bolt-tile', dropdowns: ['c'] }, workers: 1 });
+});
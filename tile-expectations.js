@@ -0,0 +1,97 @@
+const fs = require('fs');
+
+// Golden expectations file format, keyed by full URL or by path (so it also matches rewritten QA hosts):
+// {
+//   "/financial-professionals/topics/legacy-estate-wealth-transfer/": [
+//     { "options": ["", "articles", "*"], "tileCount": { "min": 1, "max": 12 } },
+//     { "options": ["clients", "videos", ""], "tileCount": 0 },
+//     { "options": ["", "", ""], "tileCount": 9, "titles": ["..."], "hrefs": ["..."] }
+//   ]
+// }
+// "options" lists the selected option values in dropdown order; "*" matches any value.
+
+function validateExpectations(data, filePath) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${filePath}: expected an object keyed by URL`);
+  }
+  Object.entries(data).forEach(([url, entries]) => {
+    if (!Array.isArray(entries)) return errors.push(`${url}: expected an array of combination expectations`);
+    entries.forEach((entry, i) => {
+      const where = `${url}[${i}]`;
+      if (!Array.isArray(entry.options) || entry.options.some(v => typeof v !== 'string')) {
+        errors.push(`${where}.options: expected an array of option values`);
+      }
+      const count = entry.tileCount;
+      const isCount = (n) => Number.isInteger(n) && n >= 0;
+      if (count !== undefined && !isCount(count) &&
+          !(count && typeof count === 'object' && (count.min === undefined || isCount(count.min)) && (count.max === undefined || isCount(count.max)))) {
+        errors.push(`${where}.tileCount: expected a whole number or { min, max }`);
+      }
+      ['titles', 'hrefs'].forEach(key => {
+        if (entry[key] !== undefined && (!Array.isArray(entry[key]) || entry[key].some(v => typeof v !== 'string'))) {
+          errors.push(`${where}.${key}: expected an array of strings`);
+        }
+      });
+    });
+  });
+  if (errors.length) throw new Error(`Invalid expectations file ${filePath}:\n  ${errors.join('\n  ')}`);
+  return data;
+}
+
+function loadExpectations(filePath) {
+  if (!fs.existsSync(filePath)) throw new Error(`Expectations file not found: ${filePath}`);
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse expectations file ${filePath}: ${error.message}`);
+  }
+  return validateExpectations(data, filePath);
+}
+
+// Entries under every key that names the page are searched together, full URLs before paths, so a path-keyed
+// golden file still covers combinations an inline suite expectation for the full URL doesn't mention.
+// Per combination the first matching entry wins.
+function findExpectation(expectations, urls, optionValues) {
+  if (!expectations) return null;
+  const keys = new Set(urls.filter(Boolean).flatMap(u => {
+    try { return [u, new URL(u).pathname]; } catch { return [u]; }
+  }).sort((a, b) => Number(a.startsWith('/')) - Number(b.startsWith('/'))));
+  const entries = [...keys].flatMap(k => expectations[k] || []);
+  return entries.find(e => e.options.length === optionValues.length &&
+    e.options.every((v, i) => v === '*' || v === optionValues[i])) || null;
+}
+
+function diffList(label, expected, actual, mismatches) {
+  const missing = expected.filter(v => !actual.includes(v));
+  const unexpected = actual.filter(v => !expected.includes(v));
+  if (missing.length) mismatches.push(`missing ${label}: ${missing.join(', ')}`);
+  if (unexpected.length) mismatches.push(`unexpected ${label}: ${unexpected.join(', ')}`);
+}
+
+// Compares detected tiles with a golden entry; returns { matched, mismatches, expected }
+function compareWithExpectation(expected, tileData) {
+  const mismatches = [];
+  const visible = tileData.visible || 0;
+  const details = tileData.tileDetails || [];
+
+  if (Number.isInteger(expected.tileCount) && visible !== expected.tileCount) {
+    mismatches.push(`expected ${expected.tileCount} tiles, found ${visible}`);
+  } else if (expected.tileCount && typeof expected.tileCount === 'object') {
+    const { min, max } = expected.tileCount;
+    if (min !== undefined && visible < min) mismatches.push(`expected at least ${min} tiles, found ${visible}`);
+    if (max !== undefined && visible > max) mismatches.push(`expected at most ${max} tiles, found ${visible}`);
+  }
+
+  if ((expected.titles || expected.hrefs) && details.length < visible) {
+    mismatches.push(`only ${details.length} of ${visible} tiles captured; raise maxTileDetails to compare titles/hrefs`);
+  } else {
+    if (expected.titles) diffList('titles', expected.titles, details.map(t => t.title), mismatches);
+    if (expected.hrefs) diffList('hrefs', expected.hrefs, details.map(t => t.href), mismatches);
+  }
+
+  return { matched: mismatches.length === 0, mismatches, expected };
+}
+
+module.exports = { validateExpectations, loadExpectations, findExpectation, compareWithExpectation };
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateExpectations, findExpectation, compareWithExpectation } = require('./tile-expectations');
+
+const page = 'https://www.nationwide.com/topics/legacy/';
+
+test('findExpectation matches option values, wildcards and path keys', () => {
+  const expectations = {
+    '/topics/legacy/': [
+      { options: ['', 'articles'], tileCount: 2 },
+      { options: ['*', 'videos'], tileCount: 1 }
+    ]
+  };
+  assert.equal(findExpectation(expectations, [page], ['', 'articles']).tileCount, 2);
+  assert.equal(findExpectation(expectations, ['https://qa.nationwide.com/topics/legacy/'], ['fp', 'videos']).tileCount, 1);
+  assert.equal(findExpectation(expectations, [page], ['fp', 'articles']), null);
+  assert.equal(findExpectation(expectations, [page], ['', 'articles', '']), null);
+  assert.equal(findExpectation(null, [page], ['']), null);
+});
+
+test('compareWithExpectation checks exact and ranged tile counts', () => {
+  assert.deepEqual(compareWithExpectation({ tileCount: 3 }, { visible: 3 }).mismatches, []);
+  assert.deepEqual(compareWithExpectation({ tileCount: 3 }, { visible: 2 }).mismatches, ['expected 3 tiles, found 2']);
+  assert.deepEqual(compareWithExpectation({ tileCount: { min: 1, max: 2 } }, { visible: 0 }).mismatches, ['expected at least 1 tiles, found 0']);
+  assert.deepEqual(compareWithExpectation({ tileCount: { max: 2 } }, { visible: 5 }).mismatches, ['expected at most 2 tiles, found 5']);
+  assert.equal(compareWithExpectation({ tileCount: 0 }, {}).matched, true);
+});
+
+test('compareWithExpectation diffs titles and hrefs only when every tile was captured', () => {
+  const tileData = { visible: 2, tileDetails: [{ title: 'Trusts explained', href: '/t/3' }, { title: 'Estate planning basics', href: '/t/1' }] };
+  const result = compareWithExpectation({ titles: ['Estate planning basics', 'Wealth transfer video'], hrefs: ['/t/1', '/t/3'] }, tileData);
+  assert.equal(result.matched, false);
+  assert.deepEqual(result.mismatches, ['missing titles: Wealth transfer video', 'unexpected titles: Trusts explained']);
+  
+  const truncated = compareWithExpectation({ titles: ['Trusts explained'] }, { ...tileData, visible: 12 });
+  assert.deepEqual(truncated.mismatches, ['only 2 of 12 tiles captured; raise maxTileDetails to compare titles/hrefs']);
+});
+
+test('validateExpectations lists every malformed entry', () => {
+  assert.throws(() => validateExpectations([], 'golden.json'), /golden.json: expected an object keyed by URL/);
+  assert.throws(() => validateExpectations({
+    '/a/': [{ options: [1], tileCount: -1, titles: 'Trusts' }],
+    '/b/': { options: [] }
+  }, 'golden.json'), error => {
+    assert.deepEqual(error.message.split('\n  ').slice(1), [
+      '/a/[0].options: expected an array of option values',
+      '/a/[0].tileCount: expected a whole number or { min, max }',
+      '/a/[0].titles: expected an array of strings',
+      '/b/: expected an array of combination expectations'
+    ]);
+    return true;
+  });
+});
+
+test('findExpectation searches full-URL entries before path entries, per combination', () => {
+  const expectations = {
+    [page]: [{ options: ['', 'articles'], tileCount: 5 }],
+    '/topics/legacy/': [{ options: ['', 'articles'], tileCount: 2 }, { options: ['', 'videos'], tileCount: 1 }]
+  };
+  assert.equal(findExpectation(expectations, [page], ['', 'articles']).tileCount, 5);
+  assert.equal(findExpectation(expectations, [page], ['', 'videos']).tileCount, 1);
+  assert.equal(findExpectation(expectations, ['https://qa.nationwide.com/topics/legacy/', page], ['', 'articles']).tileCount, 5);
+});